@@ -0,0 +1,206 @@
+/**
+ * Bone name mapping between common humanoid rig naming conventions.
+ *
+ * Every preset maps a canonical humanoid bone (Unity Humanoid naming) to the
+ * name that rig uses. Names are compared after sanitizing (FBX and glTF
+ * loaders strip ":" from node names) and removing the Mixamo namespace.
+ */
+
+const SIDES = ['Left', 'Right'];
+const FINGERS = ['Thumb', 'Index', 'Middle', 'Ring', 'Little'];
+const PHALANGES = ['Proximal', 'Intermediate', 'Distal'];
+
+function buildPreset(label, body, side, finger) {
+    const bones = Object.assign({}, body);
+
+    for(let s of SIDES) {
+        for(let [canonical, name] of Object.entries(side)) {
+            bones[s + canonical] = name(s);
+        }
+        FINGERS.forEach((f) => {
+            PHALANGES.forEach((p, i) => {
+                bones[s + f + p] = finger(s, f, i + 1);
+            });
+        });
+    }
+
+    return { label, bones };
+}
+
+export const BONE_PRESETS = {
+    mixamo: buildPreset('Mixamo', {
+        Hips: 'mixamorigHips',
+        Spine: 'mixamorigSpine',
+        Chest: 'mixamorigSpine1',
+        UpperChest: 'mixamorigSpine2',
+        Neck: 'mixamorigNeck',
+        Head: 'mixamorigHead'
+    }, {
+        Shoulder: (s) => `mixamorig${s}Shoulder`,
+        UpperArm: (s) => `mixamorig${s}Arm`,
+        LowerArm: (s) => `mixamorig${s}ForeArm`,
+        Hand: (s) => `mixamorig${s}Hand`,
+        UpperLeg: (s) => `mixamorig${s}UpLeg`,
+        LowerLeg: (s) => `mixamorig${s}Leg`,
+        Foot: (s) => `mixamorig${s}Foot`,
+        Toes: (s) => `mixamorig${s}ToeBase`
+    }, (s, f, i) => `mixamorig${s}Hand${f === 'Little' ? 'Pinky' : f}${i}`),
+
+    unreal: buildPreset('Unreal Mannequin', {
+        Hips: 'pelvis',
+        Spine: 'spine_01',
+        Chest: 'spine_02',
+        UpperChest: 'spine_03',
+        Neck: 'neck_01',
+        Head: 'head'
+    }, {
+        Shoulder: (s) => `clavicle_${s[0].toLowerCase()}`,
+        UpperArm: (s) => `upperarm_${s[0].toLowerCase()}`,
+        LowerArm: (s) => `lowerarm_${s[0].toLowerCase()}`,
+        Hand: (s) => `hand_${s[0].toLowerCase()}`,
+        UpperLeg: (s) => `thigh_${s[0].toLowerCase()}`,
+        LowerLeg: (s) => `calf_${s[0].toLowerCase()}`,
+        Foot: (s) => `foot_${s[0].toLowerCase()}`,
+        Toes: (s) => `ball_${s[0].toLowerCase()}`
+    }, (s, f, i) => `${f === 'Little' ? 'pinky' : f.toLowerCase()}_0${i}_${s[0].toLowerCase()}`),
+
+    unity: buildPreset('Unity Humanoid', {
+        Hips: 'Hips',
+        Spine: 'Spine',
+        Chest: 'Chest',
+        UpperChest: 'UpperChest',
+        Neck: 'Neck',
+        Head: 'Head'
+    }, {
+        Shoulder: (s) => `${s}Shoulder`,
+        UpperArm: (s) => `${s}UpperArm`,
+        LowerArm: (s) => `${s}LowerArm`,
+        Hand: (s) => `${s}Hand`,
+        UpperLeg: (s) => `${s}UpperLeg`,
+        LowerLeg: (s) => `${s}LowerLeg`,
+        Foot: (s) => `${s}Foot`,
+        Toes: (s) => `${s}Toes`
+    }, (s, f, i) => `${s}${f}${PHALANGES[i - 1]}`)
+};
+
+// A rig needs at least this many recognised bones to be detected as a preset
+const DETECTION_THRESHOLD = 5;
+
+function normalizeBoneName(name) {
+    return name.replace(/^.*:/, '').replace(/^mixamorig\d*/i, '').toLowerCase();
+}
+
+// normalized preset bone name -> canonical bone
+function getLookup(presetKey) {
+    const lookup = new Map();
+    for(let [canonical, name] of Object.entries(BONE_PRESETS[presetKey].bones)) {
+        lookup.set(normalizeBoneName(name), canonical);
+    }
+    return lookup;
+}
+
+// canonical bone -> actual bone name in the rig
+function indexBones(names, presetKey) {
+    const index = new Map();
+    if(!BONE_PRESETS[presetKey]) return index;
+
+    const lookup = getLookup(presetKey);
+    for(let name of names) {
+        const canonical = lookup.get(normalizeBoneName(name));
+        if(canonical && !index.has(canonical)) index.set(canonical, name);
+    }
+    return index;
+}
+
+/**
+ * Find the preset whose naming matches most of the given bone names
+ * @param  {Iterable<String>} names Bone names of a rig
+ * @return {String|null} Preset key or null when no preset matches
+ */
+export function detectBonePreset(names) {
+    let best = null;
+    let bestCount = DETECTION_THRESHOLD - 1;
+
+    for(let key of Object.keys(BONE_PRESETS)) {
+        const count = indexBones(names, key).size;
+        if(count > bestCount) {
+            best = key;
+            bestCount = count;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Find the actual name of a canonical bone in a rig
+ * @param  {Iterable<String>} names     Bone names of a rig
+ * @param  {String|null}      presetKey Preset key of the rig
+ * @param  {String}           canonical Canonical bone, e.g. "LeftUpperLeg"
+ * @return {String|undefined}
+ */
+export function findPresetBone(names, presetKey, canonical) {
+    return indexBones(names, presetKey).get(canonical);
+}
+
+// Side markers: Left/Right anywhere in the name, _L/_R or .l/.r suffixes and L_/R_ prefixes
+const MIRROR_PATTERNS = [
+    /Left|Right|left|right|LEFT|RIGHT/,
+    /[_.][LRlr](?=$|[_.\d])/,
+    /^[LRlr](?=[_.])/
+];
+const MIRROR_SIDES = { Left: 'Right', Right: 'Left', left: 'right', right: 'left', LEFT: 'RIGHT', RIGHT: 'LEFT', L: 'R', R: 'L', l: 'r', r: 'l' };
+
+/**
+ * Find the bone on the other side of the body
+ * @param  {String}      name  Bone name
+ * @param  {Set<String>} names Bone names of the rig
+ * @return {String|null} Name of the opposite bone or null for bones on the center line
+ */
+export function findMirrorBone(name, names) {
+    for(let pattern of MIRROR_PATTERNS) {
+        const mirrored = name.replace(pattern, (match) => match.replace(/[A-Za-z]+/, side => MIRROR_SIDES[side]));
+        if(mirrored !== name && names.has(mirrored)) return mirrored;
+    }
+    return null;
+}
+
+/**
+ * Parse a user mapping written as one "from = to" pair per line
+ * @param  {String} text
+ * @return {Map<String, String>}
+ */
+export function parseBoneMapping(text) {
+    const map = new Map();
+    for(let line of (text || '').split('\n')) {
+        const [from, to] = line.split('=').map(part => part && part.trim());
+        if(from && to) map.set(from, to);
+    }
+    return map;
+}
+
+/**
+ * Build a map from animation bone names to source bone names
+ * @param  {Iterable<String>} fromNames  Bones animated by the imported clips
+ * @param  {String|null}      fromPreset Preset key of the animation rig
+ * @param  {Iterable<String>} toNames    Bones of the source skeleton
+ * @param  {String|null}      toPreset   Preset key of the source rig
+ * @param  {Map<String, String>} custom  User mapping, takes precedence over presets
+ * @return {Map<String, String>}
+ */
+export function buildBoneMap(fromNames, fromPreset, toNames, toPreset, custom) {
+    const map = new Map();
+    const fromIndex = indexBones(fromNames, fromPreset);
+    const toIndex = indexBones(toNames, toPreset);
+
+    for(let [canonical, from] of fromIndex) {
+        const to = toIndex.get(canonical);
+        if(to && to !== from) map.set(from, to);
+    }
+
+    if(custom) {
+        for(let [from, to] of custom) map.set(from, to);
+    }
+
+    return map;
+}
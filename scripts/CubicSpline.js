@@ -0,0 +1,161 @@
+import {
+    Interpolant,
+    InterpolateLinear,
+    InterpolateSmooth,
+    QuaternionKeyframeTrack,
+    VectorKeyframeTrack
+} from 'three';
+
+/**
+ * Cubic Hermite splines in the glTF CUBICSPLINE layout.
+ *
+ * Every key stores [in tangent, value, out tangent], tangents are derivatives
+ * per second. Tracks built here carry the same interpolant flag as the ones
+ * created by GLTFLoader, so GLTFExporter writes them as CUBICSPLINE samplers.
+ */
+
+class CubicSplineInterpolant extends Interpolant {
+
+    constructor(parameterPositions, sampleValues, sampleSize, resultBuffer, normalize) {
+        super(parameterPositions, sampleValues, sampleSize, resultBuffer);
+        this.normalize = normalize;
+    }
+
+    copySampleValue_(index) {
+        const result = this.resultBuffer;
+        const size = this.valueSize;
+        const offset = index * size * 3 + size;
+        for(let i = 0; i < size; i++) result[i] = this.sampleValues[offset + i];
+        return result;
+    }
+
+    interpolate_(i1, t0, t, t1) {
+        const result = this.resultBuffer;
+        const size = this.valueSize;
+        const offset1 = i1 * size * 3;
+        const offset0 = offset1 - size * 3;
+        hermite(result, this.sampleValues, offset0 + size, offset0 + size * 2, offset1 + size, offset1, size, (t - t0) / (t1 - t0), t1 - t0);
+        return this.normalize ? normalizeQuaternion(result, 0) : result;
+    }
+
+}
+
+function createCubicSplineInterpolant(result) {
+    return new CubicSplineInterpolant(this.times, this.values, this.getValueSize() / 3, result, this instanceof QuaternionKeyframeTrack);
+}
+
+// Same flag as GLTFLoader, checked by GLTFExporter.processAnimation
+createCubicSplineInterpolant.isInterpolantFactoryMethodGLTFCubicSpline = true;
+
+// p(s) = h00 * v0 + h10 * dt * m0 + h01 * v1 + h11 * dt * m1
+function hermite(out, values, value0, tangent0, value1, tangent1, size, s, dt) {
+    const ss = s * s;
+    const sss = ss * s;
+    const h01 = -2 * sss + 3 * ss;
+    const h11 = sss - ss;
+    const h00 = 1 - h01;
+    const h10 = h11 - ss + s;
+
+    for(let i = 0; i < size; i++) {
+        out[i] = h00 * values[value0 + i] + h10 * dt * values[tangent0 + i] + h01 * values[value1 + i] + h11 * dt * values[tangent1 + i];
+    }
+    return out;
+}
+
+function normalizeQuaternion(values, offset) {
+    const length = Math.hypot(values[offset], values[offset + 1], values[offset + 2], values[offset + 3]) || 1;
+    for(let i = 0; i < 4; i++) values[offset + i] /= length;
+    return values;
+}
+
+/**
+ * Fit Hermite tangents to a dense linear track and keep only the keys the
+ * spline needs to stay within tolerance
+ * @param  {THREE.KeyframeTrack} track
+ * @param  {Object} tolerance { angle } in degrees for rotations, { distance } in track units otherwise
+ * @return {THREE.KeyframeTrack} Cubic spline track, or the track itself when it cannot be converted
+ */
+export function toCubicSplineTrack(track, { angle = 0, distance = 0 } = {}) {
+    const interpolation = track.getInterpolation();
+    const isQuaternion = track instanceof QuaternionKeyframeTrack;
+    if(!(isQuaternion || track instanceof VectorKeyframeTrack)) return track;
+    if(interpolation !== InterpolateLinear && interpolation !== InterpolateSmooth) return track;
+
+    const times = track.times;
+    const count = times.length;
+    const size = track.getValueSize();
+    if(count < 3) return track;
+
+    // Keep neighbouring quaternions in one hemisphere so differences follow the shortest arc
+    const values = Float32Array.from(track.values);
+    if(isQuaternion) {
+        for(let i = 4; i < values.length; i += 4) {
+            const dot = values[i] * values[i - 4] + values[i + 1] * values[i - 3] + values[i + 2] * values[i - 2] + values[i + 3] * values[i - 1];
+            if(dot < 0) for(let j = 0; j < 4; j++) values[i + j] = -values[i + j];
+        }
+    }
+
+    // Finite-difference derivatives at every dense key, one-sided at the ends
+    const tangents = new Float32Array(values.length);
+    for(let i = 0; i < count; i++) {
+        const previous = Math.max(0, i - 1);
+        const next = Math.min(count - 1, i + 1);
+        const dt = times[next] - times[previous];
+        for(let j = 0; j < size; j++) {
+            tangents[i * size + j] = (values[next * size + j] - values[previous * size + j]) / dt;
+        }
+    }
+
+    // Interleave as [value, tangent] so one buffer feeds hermite()
+    const samples = new Float32Array(count * size * 2);
+    for(let i = 0; i < count; i++) {
+        samples.set(values.subarray(i * size, (i + 1) * size), i * size * 2);
+        samples.set(tangents.subarray(i * size, (i + 1) * size), i * size * 2 + size);
+    }
+
+    const tolerance = isQuaternion ? angle * Math.PI / 180 : distance;
+    const point = new Float32Array(size);
+
+    // Distance between key j and the spline from key a to key b
+    const error = (a, b, j) => {
+        const dt = times[b] - times[a];
+        hermite(point, samples, a * size * 2, a * size * 2 + size, b * size * 2, b * size * 2 + size, size, (times[j] - times[a]) / dt, dt);
+        if(isQuaternion) {
+            normalizeQuaternion(point, 0);
+            let dot = 0;
+            for(let k = 0; k < 4; k++) dot += point[k] * values[j * 4 + k];
+            return 2 * Math.acos(Math.min(1, Math.abs(dot)));
+        }
+        let sum = 0;
+        for(let k = 0; k < size; k++) sum += (point[k] - values[j * size + k]) ** 2;
+        return Math.sqrt(sum);
+    };
+
+    // Extend each segment from the last kept key while every skipped key stays within tolerance
+    const keep = [0];
+    let last = 0;
+    for(let i = 2; i < count; i++) {
+        for(let j = last + 1; j < i; j++) {
+            if(error(last, i, j) > tolerance) {
+                last = i - 1;
+                keep.push(last);
+                break;
+            }
+        }
+    }
+    keep.push(count - 1);
+
+    const newTimes = new track.TimeBufferType(keep.length);
+    const newValues = new track.ValueBufferType(keep.length * size * 3);
+    keep.forEach((index, i) => {
+        newTimes[i] = times[index];
+        const tangent = tangents.subarray(index * size, (index + 1) * size);
+        newValues.set(tangent, i * size * 3);
+        newValues.set(values.subarray(index * size, (index + 1) * size), i * size * 3 + size);
+        newValues.set(tangent, i * size * 3 + size * 2);
+    });
+
+    const result = new track.constructor(track.name, newTimes, newValues);
+    result.createInterpolant = createCubicSplineInterpolant;
+    return result;
+}
@@ -1,9 +1,11 @@
 import {
+	AdditiveAnimationBlendMode,
 	BufferAttribute,
 	ClampToEdgeWrapping,
 	DoubleSide,
 	InterpolateDiscrete,
 	InterpolateLinear,
+	InterpolateSmooth,
     LinearSRGBColorSpace,
 	LinearFilter,
 	LinearMipmapLinearFilter,
@@ -22,6 +24,7 @@ import {
     SRGBColorSpace,
 	Vector3
 } from 'three';
+import { toCubicSplineTrack } from './CubicSpline.js';
 
 
 class GLTFExporter {
@@ -1815,7 +1818,7 @@ class GLTFWriter {
 
 		for ( let i = 0; i < tracks.length; ++ i ) {
 
-			const track = tracks[ i ];
+			let track = tracks[ i ];
 			const trackBinding = PropertyBinding.parseTrackName( track.name );
 			let trackNode = PropertyBinding.findNode( root, trackBinding.nodeName );
 			const trackProperty = PATH_PROPERTIES[ trackBinding.propertyName ];
@@ -1841,6 +1844,13 @@ class GLTFWriter {
 
 			}
 
+			// CubicInterpolant(InterpolateSmooth) is written as a cubic spline through the same keys
+			if ( track.getInterpolation() === InterpolateSmooth ) {
+
+				track = toCubicSplineTrack( track );
+
+			}
+
 			const inputItemSize = 1;
 			let outputItemSize = track.values.length / track.times.length;
 
@@ -1852,8 +1862,6 @@ class GLTFWriter {
 
 			let interpolation;
 
-			// @TODO export CubicInterpolant(InterpolateSmooth) as CUBICSPLINE
-
 			// Detecting glTF cubic spline interpolant by checking factory method's special property
 			// GLTFCubicSplineInterpolant is a custom interpolant and track doesn't return
 			// valid value from .getInterpolation().
@@ -1892,11 +1900,16 @@ class GLTFWriter {
 
 		}
 
-		json.animations.push( {
+		const animationDef = {
 			name: clip.name || 'clip_' + json.animations.length,
 			samplers: samplers,
 			channels: channels
-		} );
+		};
+
+		// Additive clips hold offsets from a reference pose, flag them for the runtime
+		if ( clip.blendMode === AdditiveAnimationBlendMode ) animationDef.extras = { additive: true };
+
+		json.animations.push( animationDef );
 
 		return json.animations.length - 1;
 
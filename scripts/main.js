@@ -1,22 +1,54 @@
 import * as THREE from 'three';
 
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js'; 
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { BVHLoader } from 'three/examples/jsm/loaders/BVHLoader.js';
 import { GLTFExporter } from './GLTFExporter.js';
+import { zipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import { toCubicSplineTrack } from './CubicSpline.js';
+import { buildBoneMap, detectBonePreset, findMirrorBone, findPresetBone, parseBoneMapping } from './BoneMapping.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
 import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js'
 import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
 
+const BONE_MAPPING_STORAGE_KEY = 'animation-merger:bone-mapping';
+const ROOT_MOTION_NODE_NAME = 'RootMotion';
+// Faster rotations are reported as glitches, 60 degrees per frame at 30 fps
+const MAX_ANGULAR_VELOCITY = THREE.MathUtils.degToRad(1800);
+
 class App {
     constructor(m) {
     	// Get elements
         this.$canvas = document.querySelector('canvas')
         this.$source = document.getElementById('source')
         this.$animation = document.getElementById('source-animations')
+        this.$sourceError = document.getElementById('source-error')
         this.$textureMap = document.getElementById('texture-map')
         this.$export = document.getElementById('export-btn')
         this.$ui = document.getElementById('animations-ui')
         this.$transformBtns = document.querySelectorAll('.transform-btn')
-        this.$inPlaceCheckbox = document.getElementById('in-place-checkbox')
+        this.$extractRootMotionCheckbox = document.getElementById('extract-root-motion-checkbox')
+        this.$extractRootMotionYaw = document.getElementById('extract-root-motion-yaw')
+        this.$rootMotionX = document.getElementById('root-motion-x')
+        this.$rootMotionY = document.getElementById('root-motion-y')
+        this.$rootMotionZ = document.getElementById('root-motion-z')
+        this.$rootMotionYaw = document.getElementById('root-motion-yaw')
+        this.$rootMotionMode = document.getElementById('root-motion-mode')
+        this.$resampleCheckbox = document.getElementById('resample-checkbox')
+        this.$resampleRate = document.getElementById('resample-rate')
+        this.$cubicSplineCheckbox = document.getElementById('cubic-spline-checkbox')
+        this.$reduceKeyframesCheckbox = document.getElementById('reduce-keyframes-checkbox')
+        this.$reduceAngle = document.getElementById('reduce-angle')
+        this.$reduceDistance = document.getElementById('reduce-distance')
+        this.$exportSeparateCheckbox = document.getElementById('export-separate-checkbox')
+        this.$exportAnimationOnlyCheckbox = document.getElementById('export-animation-only-checkbox')
+        this.$exportReport = document.getElementById('export-report')
+
+        // Root motion options change the In Place preview of every clip
+        const rootMotionInputs = [this.$rootMotionX, this.$rootMotionY, this.$rootMotionZ, this.$rootMotionYaw, this.$rootMotionMode]
+        rootMotionInputs.forEach($input => {
+            $input.addEventListener('change', this.refreshPreviewClips.bind(this))
+        })
         this.$filenameInput = document.getElementById('filename-input')
 
         // Texture type elements
@@ -102,7 +134,87 @@ class App {
         this.$resetGridSize.addEventListener('click', this.resetGridSize.bind(this))
         this.$gridDivisionsSlider.addEventListener('input', this.onGridDivisionsChange.bind(this))
         this.$resetGridDivisions.addEventListener('click', this.resetGridDivisions.bind(this))
+
+        // Retarget elements
+        this.$retargetAnimationRig = document.getElementById('retarget-animation-rig')
+        this.$retargetSourceRig = document.getElementById('retarget-source-rig')
+        this.$retargetCustomMap = document.getElementById('retarget-custom-map')
+        this.$retargetPose = document.getElementById('retarget-pose')
+
+        // Retarget events
+        this.loadBoneMapping()
+        this.$retargetAnimationRig.addEventListener('change', this.saveBoneMapping.bind(this))
+        this.$retargetSourceRig.addEventListener('change', this.saveBoneMapping.bind(this))
+        this.$retargetCustomMap.addEventListener('change', this.saveBoneMapping.bind(this))
+        this.$retargetPose.addEventListener('change', this.saveBoneMapping.bind(this))
+
+        // Bone mask elements
+        this.$boneMaskTree = document.getElementById('bone-mask-tree')
+        this.$boneMaskAll = document.getElementById('bone-mask-all')
+        this.$boneMaskNone = document.getElementById('bone-mask-none')
+        this.$boneMaskAll.addEventListener('click', () => this.setBoneMask(this.getMaskBones().map(bone => bone.name), true))
+        this.$boneMaskNone.addEventListener('click', () => this.setBoneMask(Array.from(this.boneMask), false))
+
+        // Timeline elements
+        this.$timelinePlay = document.getElementById('timeline-play')
+        this.$timelinePrevFrame = document.getElementById('timeline-prev-frame')
+        this.$timelineNextFrame = document.getElementById('timeline-next-frame')
+        this.$timelineLoop = document.getElementById('timeline-loop')
+        this.$timelineSpeed = document.getElementById('timeline-speed')
+        this.$timelineTime = document.getElementById('timeline-time')
+        this.$timelineScrubber = document.getElementById('timeline-scrubber')
+
+        // Timeline events
+        this.$timelinePlay.addEventListener('click', this.onTimelinePlay.bind(this))
+        this.$timelinePrevFrame.addEventListener('click', () => this.stepFrame(-1))
+        this.$timelineNextFrame.addEventListener('click', () => this.stepFrame(1))
+        this.$timelineLoop.addEventListener('change', this.onTimelineLoopChange.bind(this))
+        this.$timelineSpeed.addEventListener('change', this.onTimelineSpeedChange.bind(this))
+        this.$timelineScrubber.addEventListener('pointerdown', () => { this.isScrubbing = true })
+        this.$timelineScrubber.addEventListener('pointerup', () => { this.isScrubbing = false })
+        this.$timelineScrubber.addEventListener('input', (e) => this.setAnimationTime(parseFloat(e.target.value)))
+
+        // Transition elements
+        this.$transitionFrom = document.getElementById('transition-from')
+        this.$transitionTo = document.getElementById('transition-to')
+        this.$transitionStart = document.getElementById('transition-start')
+        this.$transitionDuration = document.getElementById('transition-duration')
+        this.$transitionFps = document.getElementById('transition-fps')
+        this.$transitionPreviewBtn = document.getElementById('transition-preview-btn')
+        this.$transitionBakeBtn = document.getElementById('transition-bake-btn')
+        this.$transitionPreviewBtn.addEventListener('click', this.previewTransition.bind(this))
+        this.$transitionBakeBtn.addEventListener('click', this.bakeTransition.bind(this))
+
+        // Skeleton validation modal elements
+        this.$validationModal = document.getElementById('validation-modal')
+        this.$validationReport = document.getElementById('validation-report')
+        this.$validationKeepBtn = document.getElementById('validation-keep-btn')
+        this.$validationRejectBtn = document.getElementById('validation-reject-btn')
+        this.$validationKeepBtn.addEventListener('click', () => this.closeValidationReport(true))
+        this.$validationRejectBtn.addEventListener('click', () => this.closeValidationReport(false))
+        this.resolveValidation = null;
         
+        this.playback = {
+            playing: true,
+            loop: true,
+            speed: 1,
+            frameRate: 30
+        };
+        this.isScrubbing = false;
+
+        // Per-clip edits keyed by the imported clip, applied to a copy for preview and export
+        this.clipSettings = new Map();
+        this.previewClips = new Map();
+        this.activeClip = null;
+        // Titles of the expanded clip setting sections, kept when the list is rebuilt
+        this.openClipSections = new Set(['Trim']);
+
+        // Local transforms of the source model before any clip plays
+        this.restPose = new Map();
+
+        // Names of the bones kept by masked clips
+        this.boneMask = new Set();
+
         this.customTexture = null;
         this.textureType = 'shaded'; // 'shaded' or 'pbr'
         this.usePackedTexture = false;
@@ -209,6 +321,60 @@ class App {
 
     initLoaders() {
         this.fbxLoader = new FBXLoader();
+        // External .bin and texture files of a .gltf resolve to the files picked alongside it
+        this.resourceURLs = new Map();
+        this.loadingManager = new THREE.LoadingManager();
+        this.loadingManager.setURLModifier((url) => this.resourceURLs.get(this.getResourceName(url)) || url);
+        this.gltfLoader = new GLTFLoader(this.loadingManager);
+        this.bvhLoader = new BVHLoader();
+    }
+
+    getResourceName(url) {
+        return decodeURIComponent(url.split(/[\\/]/).pop());
+    }
+
+    getMissingGLTFResources(contents, resources) {
+        const json = JSON.parse(new TextDecoder().decode(contents));
+        const uris = [...(json.buffers || []), ...(json.images || [])]
+            .map(entry => entry.uri)
+            .filter(uri => uri && !uri.startsWith('data:'));
+
+        const names = new Set(resources.map(file => file.name));
+        return uris.map(uri => this.getResourceName(uri)).filter(name => !names.has(name));
+    }
+
+    parseModel(contents, extension, resources = []) {
+        return new Promise((resolve, reject) => {
+            if(extension === 'glb' || extension === 'gltf') {
+                // A single File has no folder to resolve relative uris against
+                const missing = extension === 'gltf' ? this.getMissingGLTFResources(contents, resources) : [];
+                if(missing.length) {
+                    reject(new Error(`Missing ${missing.join(', ')}, select them together with the .gltf file`));
+                    return;
+                }
+
+                for(let file of resources) this.resourceURLs.set(file.name, URL.createObjectURL(file));
+                const release = () => {
+                    this.resourceURLs.forEach(url => URL.revokeObjectURL(url));
+                    this.resourceURLs.clear();
+                };
+
+                // glTF is already in meters, keep the scene as loaded with its clips
+                this.gltfLoader.parse(contents, '', (gltf) => {
+                    release();
+                    const object = gltf.scene;
+                    object.animations = gltf.animations || [];
+                    resolve(object);
+                }, (error) => {
+                    release();
+                    reject(error);
+                });
+            } else {
+                const object = this.fbxLoader.parse(contents);
+                object.scale.set(0.01,0.01,0.01)
+                resolve(object);
+            }
+        })
     }
 
     resize() {
@@ -248,15 +414,21 @@ class App {
         // Render
         this.renderer.render(this.scene, this.camera)
 
-        if(this.mixer) this.mixer.setTime(elapsedTime)
+        if(this.mixer && this.playback.playing) this.mixer.update(deltaTime)
+        this.updateTimeline()
 
         // Call tick again on the next frame
         this.raf = window.requestAnimationFrame(this.render.bind(this))
     }
 
     async onSourceChange(e) {
+        return this.loadSource(Array.from(e.currentTarget.files));
+    }
+
+    loadSource(files) {
         return new Promise(resolve => {
-            const file = e.currentTarget.files[0];      
+            // A .gltf comes with its .bin and textures, the model is the file the loaders can parse
+            const file = files.find(candidate => /\.(fbx|glb|gltf)$/i.test(candidate.name)) || files[0];
 
             const filename = file.name;
             const extension = filename.split( '.' ).pop().toLowerCase();
@@ -267,17 +439,43 @@ class App {
                 this.$filenameInput.value = baseFilename;
             }
 
+            this.$sourceError.textContent = '';
+
             const reader = new FileReader();
-            reader.addEventListener( 'load', ( event ) => {
+            reader.addEventListener( 'load', async ( event ) => {
                 const contents = event.target.result;
 
-                if(this.object) { this.disposeObject(this.object); this.scene.remove(this.object); }
+                let object;
+                try {
+                    object = await this.parseModel(contents, extension, files.filter(other => other !== file));
+                } catch(error) {
+                    console.error('Could not load source model', error);
+                    this.$sourceError.textContent = `Could not load ${filename}: ${error.message || error}`;
+                    resolve();
+                    return;
+                }
 
-                this.object = this.fbxLoader.parse( contents );
-                this.object.scale.set(0.01,0.01,0.01)
+                if(this.object) { this.disposeObject(this.object); this.scene.remove(this.object); }
 
+                this.object = object;
+                const isGLTF = extension === 'glb' || extension === 'gltf';
+
+                // Always create a mixer so clips can be merged onto a model without its own animations
+                this.mixer = new THREE.AnimationMixer( this.object );
+                this.mixer.timeScale = this.playback.speed;
+                this.animation = null;
+                this.activeClip = null;
+                this.clipSettings.clear();
+                this.previewClips.clear();
+                this.restPose.clear();
+                this.object.traverse((child) => this.restPose.set(child, {
+                    position: child.position.clone(),
+                    quaternion: child.quaternion.clone(),
+                    scale: child.scale.clone()
+                }));
+                this.boneMask.clear();
+                this.updateBoneMaskUI();
                 if(this.object.animations.length) {
-                    this.mixer = new THREE.AnimationMixer( this.object );
                     this.object.traverse(function(obj) { obj.frustumCulled = false; });                   
 
                     // this.object.animations.forEach( ( clip ) => {                          
@@ -302,7 +500,8 @@ class App {
                                 }
                             }
                         }
-                        if(m && !m.map) {
+                        // glTF materials carry their own base color
+                        if(m && !m.map && !isGLTF) {
                             if(m.color) m.color.set(0xffffff)
                         }
                     }
@@ -332,35 +531,394 @@ class App {
     }
 
     async onAnimationChange(e) {
-        const files = e.currentTarget.files;        
-
-        if(!files) return;
+        const input = e.currentTarget;
+        // The event is gone after the first await, keep the picked files
+        const files = Array.from(input.files || []);
 
         for(let file of files) {
             if(!this.object) {
-                await this.onSourceChange(e)
+                await this.loadSource(files)
+                // The error is shown under the inputs, the other files have no model to go on
+                if(!this.object) break;
             } else {                
-                const reader = new FileReader();
-                reader.addEventListener( 'load', ( event ) => {
-                    const contents = event.target.result;
+                const extension = file.name.split('.').pop().toLowerCase();
+                // BVH is a plain text format
+                const contents = await this.readFile(file, extension === 'bvh');
+
+                // The parsed file keeps the rest pose of the rig the clips were authored on
+                const rig = extension === 'bvh' 
+                    ? this.parseBVH( contents ) 
+                    : this.fbxLoader.parse( contents );
+                let animations = rig.animations;
 
-                    let object = this.fbxLoader.parse( contents );
+                if(!animations.length) continue;
+
+                const retarget = this.retargetAnimations(animations);
+                if(this.$retargetPose.checked) {
+                    this.retargetPose(animations, rig, retarget);
+                }
 
-                    if(object.animations.length) {
-                        for(let animation of object.animations) {
-                            animation.name = file.name.split('.')[0]
-                            this.object.animations.push(animation)
-                        }                        
+                // Sign flips in the rotation data make the mixer spin the long way round
+                const flipped = this.enforceQuaternionContinuity(animations);
+                if(flipped) console.log(`Flipped ${flipped} quaternion keys to the shortest path in ${file.name}`);
+
+                // Let the user decide on files whose bones do not line up with the source skeleton
+                const report = this.validateAnimations(file.name, animations);
+                if(report.unmatched.length || report.extra.length || report.spikes.length) {
+                    const keep = await this.showValidationReport(report);
+                    if(!keep) {
+                        console.log('Rejected animation file:', file.name);
+                        continue;
                     }
+                }
+
+                for(let animation of animations) {
+                    animation.name = file.name.split('.')[0]
+                    this.object.animations.push(animation)
+                }                        
 
-                    this.updateUI()    
-                    this.fixNonPBRMaterials()
-                }, { once: true } );
-                reader.readAsArrayBuffer( file );
+                this.updateUI()    
+                this.fixNonPBRMaterials()
             }        
         }
 
-        e.currentTarget.value = ''
+        input.value = ''
+    }
+
+    readFile(file, asText) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.addEventListener('load', (event) => resolve(event.target.result), { once: true });
+            reader.addEventListener('error', () => reject(reader.error), { once: true });
+            if(asText) reader.readAsText(file);
+            else reader.readAsArrayBuffer(file);
+        })
+    }
+
+    getTrackNodeName(track) {
+        try {
+            return THREE.PropertyBinding.parseTrackName(track.name).nodeName;
+        } catch {
+            return track.name.slice(0, track.name.lastIndexOf('.'));
+        }
+    }
+
+    retargetAnimations(animations) {
+        const fromNames = new Set();
+        for(let clip of animations) {
+            for(let track of clip.tracks) fromNames.add(this.getTrackNodeName(track));
+        }
+
+        const toNames = [];
+        this.object.traverse((child) => {
+            if(child.isBone) toNames.push(child.name);
+        });
+
+        const animationRig = this.$retargetAnimationRig.value;
+        const sourceRig = this.$retargetSourceRig.value;
+        const fromPreset = animationRig === 'auto' ? detectBonePreset(fromNames) : animationRig;
+        const toPreset = sourceRig === 'auto' ? detectBonePreset(toNames) : sourceRig;
+
+        // Track names use sanitized node names, so the user mapping may be written either way
+        const custom = new Map();
+        for(let [from, to] of parseBoneMapping(this.$retargetCustomMap.value)) {
+            custom.set(THREE.PropertyBinding.sanitizeNodeName(from), THREE.PropertyBinding.sanitizeNodeName(to));
+        }
+
+        const boneMap = buildBoneMap(fromNames, fromPreset, toNames, toPreset, custom);
+        const result = { boneMap, fromPreset, toPreset };
+        if(!boneMap.size) return result;
+
+        let count = 0;
+        for(let clip of animations) {
+            for(let track of clip.tracks) {
+                const nodeName = this.getTrackNodeName(track);
+                const target = boneMap.get(nodeName);
+                if(target && track.name.startsWith(nodeName)) {
+                    track.name = target + track.name.slice(nodeName.length);
+                    count++;
+                }
+            }
+        }
+
+        console.log(`Retargeted ${count} tracks (${fromPreset || 'custom'} -> ${toPreset || 'custom'})`);
+        return result;
+    }
+
+    retargetPose(animations, rig, { boneMap, fromPreset, toPreset }) {
+        // Source bone name -> bone name in the animation rig
+        const rigNames = new Map();
+        for(let [from, to] of boneMap) rigNames.set(to, from);
+
+        rig.updateMatrixWorld(true);
+        this.object.updateMatrixWorld(true);
+
+        const ratio = this.getLegLengthRatio(rig, rigNames, fromPreset, toPreset, animations);
+
+        const getRigRest = (node) => {
+            // Rotations are taken relative to the rig root so both rigs share one frame
+            const rootInverse = rig.getWorldQuaternion(new THREE.Quaternion()).invert();
+            const parent = node.parent || rig;
+            return {
+                world: node.getWorldQuaternion(new THREE.Quaternion()).premultiply(rootInverse),
+                parentWorld: parent.getWorldQuaternion(new THREE.Quaternion()).premultiply(rootInverse),
+                parentScale: parent.getWorldScale(new THREE.Vector3()).x,
+                position: node.position.clone()
+            };
+        };
+
+        const getSourceRest = (node) => {
+            // The source may be posed by a previewed clip, use the transforms captured at load
+            const parent = node.parent || this.object;
+            return {
+                world: this.getRestWorldQuaternion(node),
+                parentWorld: this.getRestWorldQuaternion(parent),
+                parentScale: new THREE.Vector3().setFromMatrixScale(this.getRestWorldMatrix(parent)).x,
+                position: (this.restPose.get(node) || node).position.clone()
+            };
+        };
+
+        const q = new THREE.Quaternion();
+        const p = new THREE.Vector3();
+
+        for(let clip of animations) {
+            for(let track of clip.tracks) {
+                const nodeName = this.getTrackNodeName(track);
+                const sourceNode = this.object.getObjectByName(nodeName);
+                const rigNode = rig.getObjectByName(rigNames.get(nodeName) || nodeName);
+                if(!sourceNode || !rigNode) continue;
+
+                const source = getSourceRest(sourceNode);
+                const animation = getRigRest(rigNode);
+
+                // Ls(t) = Ws_parent^-1 * Wa_parent * La(t) * Wa^-1 * Ws
+                const pre = source.parentWorld.clone().invert().multiply(animation.parentWorld);
+                const post = animation.world.clone().invert().multiply(source.world);
+                const values = track.values;
+
+                if(track instanceof THREE.QuaternionKeyframeTrack) {
+                    for(let i = 0; i < values.length; i += 4) {
+                        q.fromArray(values, i);
+                        q.premultiply(pre).multiply(post).normalize();
+                        q.toArray(values, i);
+                    }
+                } else if(track.name.endsWith('.position')) {
+                    // Offset from the rest position, scaled to the source proportions and units
+                    const scale = ratio * animation.parentScale / source.parentScale;
+                    for(let i = 0; i < values.length; i += 3) {
+                        p.fromArray(values, i).sub(animation.position).multiplyScalar(scale).applyQuaternion(pre).add(source.position);
+                        p.toArray(values, i);
+                    }
+                }
+            }
+        }
+    }
+
+    getLegLengthRatio(rig, rigNames, fromPreset, toPreset, animations) {
+        const getWorldPosition = (node) => node.getWorldPosition(new THREE.Vector3());
+        const getRestWorldPosition = (node) => new THREE.Vector3().setFromMatrixPosition(this.getRestWorldMatrix(node));
+
+        const getLegLength = (root, preset, getPosition) => {
+            const names = [];
+            root.traverse((child) => names.push(child.name));
+
+            const joints = ['LeftUpperLeg', 'LeftLowerLeg', 'LeftFoot']
+                .map(canonical => findPresetBone(names, preset, canonical))
+                .map(name => name && root.getObjectByName(name));
+            if(joints.some(joint => !joint)) return null;
+
+            const positions = joints.map(getPosition);
+            return positions[0].distanceTo(positions[1]) + positions[1].distanceTo(positions[2]);
+        };
+
+        let sourceLength = getLegLength(this.object, toPreset, getRestWorldPosition);
+        let rigLength = getLegLength(rig, fromPreset, getWorldPosition);
+
+        // Unknown naming: fall back to the rest height of the first translated bone
+        if(!sourceLength || !rigLength) {
+            const track = animations[0].tracks.find(track => track.name.endsWith('.position'));
+            const nodeName = track && this.getTrackNodeName(track);
+            const sourceNode = nodeName && this.object.getObjectByName(nodeName);
+            const rigNode = nodeName && rig.getObjectByName(rigNames.get(nodeName) || nodeName);
+            if(!sourceNode || !rigNode) return 1;
+
+            sourceLength = getRestWorldPosition(sourceNode).y - getWorldPosition(this.object).y;
+            rigLength = getWorldPosition(rigNode).y - getWorldPosition(rig).y;
+        }
+
+        return rigLength > 0 && sourceLength > 0 ? sourceLength / rigLength : 1;
+    }
+
+    loadBoneMapping() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(BONE_MAPPING_STORAGE_KEY));
+            if(!saved) return;
+            this.$retargetAnimationRig.value = saved.animationRig || 'auto';
+            this.$retargetSourceRig.value = saved.sourceRig || 'auto';
+            this.$retargetCustomMap.value = saved.custom || '';
+            this.$retargetPose.checked = !!saved.pose;
+        } catch(error) {
+            console.warn('Could not restore bone mapping', error);
+        }
+    }
+
+    saveBoneMapping() {
+        localStorage.setItem(BONE_MAPPING_STORAGE_KEY, JSON.stringify({
+            animationRig: this.$retargetAnimationRig.value,
+            sourceRig: this.$retargetSourceRig.value,
+            custom: this.$retargetCustomMap.value,
+            pose: this.$retargetPose.checked
+        }));
+    }
+
+    enforceQuaternionContinuity(animations) {
+        let flipped = 0;
+        for(let clip of animations) {
+            for(let track of clip.tracks) {
+                if(!(track instanceof THREE.QuaternionKeyframeTrack)) continue;
+                const values = track.values;
+                // Keep every key in the hemisphere of the previous one
+                for(let i = 4; i < values.length; i += 4) {
+                    const dot = values[i] * values[i - 4] + values[i + 1] * values[i - 3] + values[i + 2] * values[i - 2] + values[i + 3] * values[i - 1];
+                    if(dot < 0) {
+                        for(let j = 0; j < 4; j++) values[i + j] = -values[i + j];
+                        flipped++;
+                    }
+                }
+            }
+        }
+        return flipped;
+    }
+
+    findRotationSpikes(animations) {
+        const spikes = [];
+        const qa = new THREE.Quaternion();
+        const qb = new THREE.Quaternion();
+
+        for(let clip of animations) {
+            for(let track of clip.tracks) {
+                if(!(track instanceof THREE.QuaternionKeyframeTrack)) continue;
+                const { times, values } = track;
+                for(let k = 1; k < times.length; k++) {
+                    const velocity = qa.fromArray(values, (k - 1) * 4).angleTo(qb.fromArray(values, k * 4)) / (times[k] - times[k - 1]);
+                    if(velocity > MAX_ANGULAR_VELOCITY) {
+                        spikes.push({ bone: this.getTrackNodeName(track), frame: k, time: times[k], velocity });
+                    }
+                }
+            }
+        }
+
+        return spikes;
+    }
+
+    validateAnimations(filename, animations) {
+        const sourceBones = [];
+        this.object.traverse((child) => {
+            if(child.isBone) sourceBones.push(child.name);
+        });
+
+        const animated = new Set();
+        for(let clip of animations) {
+            for(let track of clip.tracks) {
+                animated.add(this.getTrackNodeName(track));
+            }
+        }
+
+        // Unmatched: animated in the file but missing from the source, these tracks are dropped on export
+        const unmatched = [...animated].filter(name => !this.object.getObjectByName(name));
+        // Extra: source bones that the file never animates
+        const extra = sourceBones.filter(name => !animated.has(name));
+        const covered = sourceBones.length - extra.length;
+
+        return {
+            filename,
+            unmatched,
+            extra,
+            // Frames where a bone turns implausibly fast between two keys
+            spikes: this.findRotationSpikes(animations),
+            coverage: sourceBones.length ? Math.round(covered / sourceBones.length * 100) : 0
+        };
+    }
+
+    showValidationReport(report) {
+        return new Promise(resolve => {
+            const $body = this.$validationReport;
+            while($body.children.length) {
+                $body.children[0].remove()
+            }
+
+            const addSection = (title, names) => {
+                const section = document.createElement('div')
+                section.className = 'validation-section'
+                const heading = document.createElement('span')
+                heading.textContent = `${title} (${names.length})`
+                section.appendChild(heading)
+                if(names.length) {
+                    const list = document.createElement('ul')
+                    for(let name of names) {
+                        const item = document.createElement('li')
+                        item.textContent = name
+                        list.appendChild(item)
+                    }
+                    section.appendChild(list)
+                }
+                $body.appendChild(section)
+            }
+
+            const summary = document.createElement('p')
+            summary.className = 'validation-summary'
+            summary.textContent = `${report.filename}: ${report.coverage}% of source bones animated`
+            $body.appendChild(summary)
+            addSection('Unmatched bones (in file, not in source)', report.unmatched)
+            addSection('Extra bones (in source, not animated)', report.extra)
+            addSection('Rotation spikes (abnormal angular velocity)', report.spikes.map(spike =>
+                `${spike.bone} at key ${spike.frame} (${spike.time.toFixed(2)}s, ${Math.round(THREE.MathUtils.radToDeg(spike.velocity))}°/s)`
+            ))
+
+            // Answered by closeValidationReport() from the modal buttons
+            this.resolveValidation = resolve;
+            this.$validationModal.style.display = 'flex';
+        })
+    }
+
+    closeValidationReport(keep) {
+        if(!this.resolveValidation) return;
+        const resolve = this.resolveValidation;
+        this.resolveValidation = null;
+        this.$validationModal.style.display = 'none';
+        resolve(keep);
+    }
+
+    parseBVH(text) {
+        const result = this.bvhLoader.parse(text);
+        const rootName = THREE.PropertyBinding.sanitizeNodeName(result.skeleton.bones[0].name);
+
+        // BVH joint names keep characters like ":" that the FBX/glTF loaders strip from node names
+        for(let bone of result.skeleton.bones) {
+            bone.name = THREE.PropertyBinding.sanitizeNodeName(bone.name);
+        }
+
+        const tracks = [];
+        for(let track of result.clip.tracks) {
+            // Depending on the three release BVHLoader names tracks ".bones[Hips].quaternion" or "Hips.quaternion",
+            // parseTrackName() cannot be used as joint names may contain ":"
+            const match = track.name.match(/^\.bones\[(.+)\]\.(\w+)$/);
+            const index = track.name.lastIndexOf('.');
+            const boneName = THREE.PropertyBinding.sanitizeNodeName(match ? match[1] : track.name.slice(0, index));
+            const property = match ? match[2] : track.name.slice(index + 1);
+
+            // Only the root carries translation, joint offsets would override the source bone lengths
+            if(property === 'position' && boneName !== rootName) continue;
+
+            track.name = boneName + '.' + property;
+            tracks.push(track);
+        }
+
+        // Wrap the skeleton like a loaded FBX so its rest pose is available for retargeting
+        const rig = new THREE.Group();
+        rig.add(result.skeleton.bones[0]);
+        rig.animations = [new THREE.AnimationClip(result.clip.name, -1, tracks)];
+        return rig;
     }
 
     onTabChange(e) {
@@ -652,6 +1210,8 @@ class App {
             this.$ui.children[0].remove()
         }
 
+        this.updateTransitionOptions()
+
         console.log(JSON.parse(JSON.stringify(this.object.animations)));
         if(this.object.animations.length) {
             for(let animation of this.object.animations) {
@@ -660,6 +1220,7 @@ class App {
                 // Create container for animation item
                 let container = document.createElement('div')
                 container.className = 'animation-item'
+                if(animation === this.activeClip) container.classList.add('active')
                 
                 // Create input for animation name
                 let input = document.createElement('input')
@@ -673,11 +1234,7 @@ class App {
                     // Add active class to current item
                     container.classList.add('active');
                     
-                    // Stop previous animation if any
-                    if(this.animation) this.animation.stop();
-                    // Play new animation
-                    this.animation = this.mixer.clipAction(animation);
-                    this.animation.play()
+                    this.playAnimation(animation)
                 })
                 input.addEventListener('change', () => {
                     animation.name = input.value
@@ -693,14 +1250,935 @@ class App {
                     console.log(this.object.animations, this.object.animations.indexOf(animation));
                     this.object.animations.splice(this.object.animations.indexOf(animation), 1)
                     console.log(this.object.animations);
+                    if(animation === this.activeClip) {
+                        this.animation.stop();
+                        this.animation = null;
+                        this.activeClip = null;
+                    }
+                    this.clearPreviewClip(animation);
+                    this.clipSettings.delete(animation);
                     this.updateUI();
                 })
                 
+                // Create per-clip In Place toggle
+                let inPlace = document.createElement('label')
+                inPlace.className = 'checkbox-label in-place-toggle'
+                inPlace.title = 'In Place (Remove root motion)'
+                let inPlaceCheckbox = document.createElement('input')
+                inPlaceCheckbox.type = 'checkbox'
+                inPlaceCheckbox.checked = this.getClipSettings(animation).inPlace
+                inPlaceCheckbox.addEventListener('change', () => {
+                    this.updateClipSettings(animation, { inPlace: inPlaceCheckbox.checked })
+                })
+                let inPlaceLabel = document.createElement('span')
+                inPlaceLabel.textContent = 'In Place'
+                inPlace.appendChild(inPlaceCheckbox)
+                inPlace.appendChild(inPlaceLabel)
+                
                 container.appendChild(input)
+                container.appendChild(inPlace)
                 container.appendChild(deleteBtn)
                 this.$ui.appendChild(container)
+                this.$ui.appendChild(this.createClipSettingsUI(animation))
+            }
+        }
+    }
+
+    playAnimation(clip) {
+        this.activeClip = clip;
+        // Preview the edited copy so the viewer matches the export
+        const previewClip = this.getPreviewClip(clip);
+
+        // Stop previous animation if any, including the faded out side of a transition
+        this.mixer.stopAllAction();
+        // Play new animation
+        this.animation = this.mixer.clipAction(previewClip);
+        this.animation.timeScale = this.getClipSettings(clip).speed;
+        this.applyLoopMode();
+        this.animation.play()
+
+        // Layer additive clips over their base clip
+        const base = this.getClipSettings(clip).additiveBase;
+        if(previewClip.blendMode === THREE.AdditiveAnimationBlendMode && base && this.object.animations.includes(base)) {
+            const baseAction = this.mixer.clipAction(this.getPreviewClip(base));
+            baseAction.timeScale = this.getClipSettings(base).speed;
+            baseAction.play();
+        }
+
+        this.playback.frameRate = this.getClipSettings(clip).frameRate;
+        this.$timelineScrubber.max = previewClip.duration;
+        this.$timelineScrubber.step = 1 / this.playback.frameRate;
+    }
+
+    updateTransitionOptions() {
+        for(let $select of [this.$transitionFrom, this.$transitionTo]) {
+            const selected = $select.selectedIndex;
+            while($select.children.length) {
+                $select.children[0].remove()
             }
+            this.object.animations.forEach((animation, index) => {
+                let option = document.createElement('option')
+                option.value = index
+                option.textContent = animation.name
+                $select.appendChild(option)
+            })
+            $select.selectedIndex = Math.min(Math.max(selected, 0), this.object.animations.length - 1)
+        }
+    }
+
+    previewTransition() {
+        if(!this.object || !this.mixer) return;
+        const from = this.object.animations[this.$transitionFrom.value];
+        const to = this.object.animations[this.$transitionTo.value];
+        if(!from || !to || from === to) return;
+
+        const duration = Math.max(0, parseFloat(this.$transitionDuration.value) || 0);
+
+        this.mixer.stopAllAction();
+
+        // Start A at the blend start, the preview clip is not retimed so scale by its speed
+        const fromClip = this.getPreviewClip(from);
+        const fromAction = this.mixer.clipAction(fromClip);
+        const speed = this.getClipSettings(from).speed;
+        fromAction.reset();
+        fromAction.timeScale = speed;
+        fromAction.setLoop(THREE.LoopOnce, 1);
+        fromAction.time = this.getTransitionStart(fromClip.duration / speed, duration) * speed;
+        fromAction.play();
+
+        // B becomes the active clip on the timeline
+        this.activeClip = to;
+        this.animation = this.mixer.clipAction(this.getPreviewClip(to));
+        this.animation.reset();
+        this.animation.timeScale = this.getClipSettings(to).speed;
+        this.applyLoopMode();
+        this.animation.play();
+        fromAction.crossFadeTo(this.animation, duration, false);
+
+        this.playback.frameRate = this.getClipSettings(to).frameRate;
+        this.$timelineScrubber.max = this.animation.getClip().duration;
+        this.$timelineScrubber.step = 1 / this.playback.frameRate;
+        if(!this.playback.playing) this.onTimelinePlay();
+
+        this.updateUI();
+    }
+
+    getTransitionStart(fromDuration, duration) {
+        // Empty start field: blend so the fade finishes on the last frame of A
+        const start = parseFloat(this.$transitionStart.value);
+        const value = isNaN(start) ? fromDuration - duration : start;
+        return THREE.MathUtils.clamp(value, 0, fromDuration);
+    }
+
+    bakeTransition() {
+        if(!this.object) return;
+        const from = this.object.animations[this.$transitionFrom.value];
+        const to = this.object.animations[this.$transitionTo.value];
+        if(!from || !to || from === to) return;
+
+        const duration = Math.max(0, parseFloat(this.$transitionDuration.value) || 0);
+        const frameRate = Math.max(1, Math.round(parseFloat(this.$transitionFps.value) || 30));
+
+        // Blend the edited clips, as they would be exported
+        const fromClip = this.processClip(from);
+        const toClip = this.processClip(to);
+        const start = this.getTransitionStart(fromClip.duration, duration);
+
+        const fromTracks = new Map(fromClip.tracks.map(track => [track.name, track]));
+        const toTracks = new Map(toClip.tracks.map(track => [track.name, track]));
+        const names = new Set([...fromTracks.keys(), ...toTracks.keys()]);
+
+        const frameCount = Math.max(1, Math.round(duration * frameRate));
+        const times = [];
+        for(let i = 0; i <= frameCount; i++) times.push(i / frameRate);
+
+        const qa = new THREE.Quaternion();
+        const qb = new THREE.Quaternion();
+        const tracks = [];
+
+        for(let name of names) {
+            // A track missing on one side holds the other side's pose, each sampled on its own timeline
+            const trackA = fromTracks.get(name);
+            const trackB = toTracks.get(name);
+            const interpolantA = trackA && trackA.createInterpolant();
+            const interpolantB = trackB && trackB.createInterpolant();
+            const template = trackA || trackB;
+            const type = template.ValueTypeName;
+            const values = [];
+
+            for(let time of times) {
+                const sampleA = interpolantA && Array.from(interpolantA.evaluate(Math.min(start + time, fromClip.duration)));
+                const sampleB = interpolantB && Array.from(interpolantB.evaluate(Math.min(time, toClip.duration)));
+                const a = sampleA || sampleB;
+                const b = sampleB || sampleA;
+                // Linear weights, like AnimationAction.crossFadeTo, the last frame may land past the fade
+                const w = duration > 0 ? Math.min(time / duration, 1) : 1;
+
+                if(type === 'quaternion') {
+                    qa.fromArray(a).slerp(qb.fromArray(b), w);
+                    values.push(qa.x, qa.y, qa.z, qa.w);
+                } else if(type === 'vector' || type === 'number') {
+                    values.push(...a.map((value, j) => THREE.MathUtils.lerp(value, b[j], w)));
+                } else {
+                    values.push(...(w < 0.5 ? a : b));
+                }
+            }
+
+            tracks.push(new template.constructor(name, times, values));
+        }
+
+        const clip = new THREE.AnimationClip(`${from.name}_to_${to.name}`, times[times.length - 1], tracks);
+        this.object.animations.push(clip);
+        this.updateUI();
+    }
+
+    createClipSettingsUI(clip) {
+        const settings = this.getClipSettings(clip);
+        const totalFrames = Math.round(clip.duration * settings.frameRate);
+
+        let panel = document.createElement('div')
+        panel.className = 'animation-settings'
+
+        const createNumber = (label, value, onChange) => {
+            let field = document.createElement('label')
+            let span = document.createElement('span')
+            span.textContent = label
+            let input = document.createElement('input')
+            input.type = 'number'
+            input.value = value
+            input.addEventListener('change', () => onChange(parseFloat(input.value)))
+            field.appendChild(span)
+            field.appendChild(input)
+            return field
         }
+
+        const createButton = (label, title, onClick) => {
+            let button = document.createElement('button')
+            button.className = 'clip-btn'
+            button.textContent = label
+            button.title = title
+            button.addEventListener('click', onClick)
+            return button
+        }
+
+        // Collapsible group, returns the row its fields go in
+        const createSection = (title, detail) => {
+            let section = document.createElement('details')
+            section.className = 'clip-section'
+            section.open = this.openClipSections.has(title)
+            section.addEventListener('toggle', () => {
+                if(section.open) this.openClipSections.add(title)
+                else this.openClipSections.delete(title)
+            })
+            let summary = document.createElement('summary')
+            summary.className = 'clip-setting-title'
+            summary.textContent = detail ? `${title} (${detail})` : title
+            let row = document.createElement('div')
+            row.className = 'clip-setting'
+            section.appendChild(summary)
+            section.appendChild(row)
+            panel.appendChild(section)
+            return row
+        }
+
+        // Trim in/out points, in frames of the imported clip
+        let trim = createSection('Trim', `${totalFrames}f`)
+        trim.appendChild(createNumber('In', settings.inFrame, (value) => this.setClipTrim(clip, value, settings.outFrame)))
+        trim.appendChild(createNumber('Out', settings.outFrame, (value) => this.setClipTrim(clip, settings.inFrame, value)))
+        trim.appendChild(createButton('Set In', 'Set in point at the playhead', () => {
+            const frame = this.getPlayheadFrame(clip);
+            if(frame !== null) this.setClipTrim(clip, frame, settings.outFrame);
+        }))
+        trim.appendChild(createButton('Set Out', 'Set out point at the playhead', () => {
+            const frame = this.getPlayheadFrame(clip);
+            if(frame !== null) this.setClipTrim(clip, settings.inFrame, frame);
+        }))
+
+        // Playback speed, previewed through the action time scale and baked on export
+        let speed = createSection('Speed')
+        let speedField = createNumber('x', settings.speed, () => {})
+        let speedInput = speedField.querySelector('input')
+        speedInput.min = 0.05
+        speedInput.step = 0.05
+        speedInput.addEventListener('input', () => this.setClipSpeed(clip, parseFloat(speedInput.value)))
+        speed.appendChild(speedField)
+
+        // Blend the last frames into the first pose so cycles loop without a pop
+        let loop = createSection('Loop')
+        let loopField = document.createElement('label')
+        loopField.className = 'checkbox-label'
+        let loopCheckbox = document.createElement('input')
+        loopCheckbox.type = 'checkbox'
+        loopCheckbox.checked = settings.loopSeam
+        loopCheckbox.addEventListener('change', () => this.updateClipSettings(clip, { loopSeam: loopCheckbox.checked }))
+        let loopLabel = document.createElement('span')
+        loopLabel.textContent = 'Make seamless'
+        loopField.appendChild(loopCheckbox)
+        loopField.appendChild(loopLabel)
+        loop.appendChild(loopField)
+        loop.appendChild(createNumber('Window (f)', settings.loopWindow, (value) => {
+            if(value > 0) this.updateClipSettings(clip, { loopWindow: Math.round(value) });
+        }))
+
+        // Actions that add a new clip to the list
+        let create = createSection('Create')
+        create.appendChild(createButton('Mirror', 'Create a left/right mirrored copy', () => this.mirrorClip(clip)))
+        create.appendChild(createButton('Reverse', 'Create a copy playing backwards', () => this.reverseClip(clip)))
+        create.appendChild(createButton('Mask', 'Create a copy with only the bones ticked in the Mask tab', () => this.maskClip(clip)))
+
+        // Export key rate, empty uses the global resample option
+        let resample = createSection('Resample', `${settings.frameRate} fps`)
+        let resampleField = createNumber('FPS', settings.resampleRate, (value) => {
+            settings.resampleRate = value > 0 ? Math.round(value) : null;
+        })
+        resampleField.querySelector('input').placeholder = 'global'
+        resample.appendChild(resampleField)
+
+        // Additive clips are built from a reference pose and previewed over a base clip
+        let additive = createSection('Additive')
+
+        const isAdditive = clip.blendMode === THREE.AdditiveAnimationBlendMode;
+        const others = this.object.animations.filter(animation => animation !== clip && (isAdditive ? animation.blendMode !== THREE.AdditiveAnimationBlendMode : true));
+        let select = document.createElement('select')
+        select.className = 'clip-select'
+        let first = document.createElement('option')
+        first.value = -1
+        first.textContent = isAdditive ? 'No base' : 'Own first frame'
+        select.appendChild(first)
+        others.forEach((animation, index) => {
+            let option = document.createElement('option')
+            option.value = index
+            option.textContent = animation.name
+            select.appendChild(option)
+        })
+        const selected = isAdditive ? settings.additiveBase : settings.additiveReference;
+        select.value = others.indexOf(selected)
+
+        if(isAdditive) {
+            select.title = 'Base clip played under the additive clip in the viewer'
+            select.addEventListener('change', () => this.updateClipSettings(clip, { additiveBase: others[select.value] || null }))
+            additive.appendChild(select)
+        } else {
+            select.title = 'Reference pose the offsets are taken from'
+            select.addEventListener('change', () => { settings.additiveReference = others[select.value] || null })
+            additive.appendChild(select)
+            additive.appendChild(createButton('Make Additive', 'Create an additive copy relative to the reference pose', () => this.makeClipAdditive(clip)))
+        }
+
+        // Named frame ranges that each become their own clip
+        let split = createSection('Split', settings.splitRanges.length || '')
+        split.classList.add('clip-split')
+        split.appendChild(createButton('Add Range', 'Add a range from the current in/out points', () => this.addSplitRange(clip)))
+        split.appendChild(createButton('Split Clip', 'Create one clip per range', () => this.splitClip(clip)))
+
+        settings.splitRanges.forEach((range, index) => {
+            let row = document.createElement('div')
+            row.className = 'clip-split-range'
+            let name = document.createElement('input')
+            name.type = 'text'
+            name.value = range.name
+            name.addEventListener('change', () => { range.name = name.value })
+            row.appendChild(name)
+            row.appendChild(createNumber('In', range.inFrame, (value) => { range.inFrame = value }))
+            row.appendChild(createNumber('Out', range.outFrame, (value) => { range.outFrame = value }))
+            row.appendChild(createButton('×', 'Remove range', () => {
+                settings.splitRanges.splice(index, 1);
+                this.updateUI();
+            }))
+            split.appendChild(row)
+        })
+
+        return panel
+    }
+
+    getClipSettings(clip) {
+        let settings = this.clipSettings.get(clip);
+        if(!settings) {
+            const frameRate = this.getClipFrameRate(clip);
+            settings = {
+                frameRate,
+                inFrame: 0,
+                outFrame: Math.round(clip.duration * frameRate),
+                speed: 1,
+                inPlace: false,
+                loopSeam: false,
+                loopWindow: 5,
+                splitRanges: [],
+                resampleRate: null,
+                additiveReference: null,
+                additiveBase: null
+            };
+            this.clipSettings.set(clip, settings);
+        }
+        return settings;
+    }
+
+    updateClipSettings(clip, changes) {
+        Object.assign(this.getClipSettings(clip), changes);
+        this.clearPreviewClip(clip);
+        if(clip === this.activeClip) this.playAnimation(clip);
+        this.updateUI();
+    }
+
+    setClipTrim(clip, inFrame, outFrame) {
+        const totalFrames = Math.round(clip.duration * this.getClipSettings(clip).frameRate);
+        inFrame = THREE.MathUtils.clamp(Math.round(inFrame) || 0, 0, totalFrames - 1);
+        outFrame = THREE.MathUtils.clamp(Math.round(outFrame) || totalFrames, inFrame + 1, totalFrames);
+        this.updateClipSettings(clip, { inFrame, outFrame });
+    }
+
+    setClipSpeed(clip, speed) {
+        if(!(speed > 0)) return;
+        this.getClipSettings(clip).speed = speed;
+        // Live preview, the preview clip keeps its original timing
+        if(clip === this.activeClip && this.animation) this.animation.timeScale = speed;
+    }
+
+    addSplitRange(clip) {
+        const settings = this.getClipSettings(clip);
+        settings.splitRanges.push({
+            name: `${clip.name}_${settings.splitRanges.length + 1}`,
+            inFrame: settings.inFrame,
+            outFrame: settings.outFrame
+        });
+        this.updateUI();
+    }
+
+    splitClip(clip) {
+        const settings = this.getClipSettings(clip);
+        if(!settings.splitRanges.length) return;
+
+        const totalFrames = Math.round(clip.duration * settings.frameRate);
+        const source = this.linearizeClip(clip);
+        const clips = settings.splitRanges.map((range) => {
+            const inFrame = THREE.MathUtils.clamp(Math.round(range.inFrame) || 0, 0, totalFrames - 1);
+            const outFrame = THREE.MathUtils.clamp(Math.round(range.outFrame) || totalFrames, inFrame + 1, totalFrames);
+            const part = this.trimClip(source, inFrame / settings.frameRate, outFrame / settings.frameRate);
+            part.name = range.name || clip.name;
+            return part;
+        });
+
+        // Keep the full take, the new clips are listed right after it
+        this.object.animations.splice(this.object.animations.indexOf(clip) + 1, 0, ...clips);
+        settings.splitRanges = [];
+        this.updateUI();
+    }
+
+    addDerivedClip(clip, derived, changes = {}) {
+        // The copy keeps the source edits and is listed right after it
+        const settings = this.getClipSettings(clip);
+        this.clipSettings.set(derived, Object.assign({}, settings, { splitRanges: [], additiveReference: null }, changes));
+        this.object.animations.splice(this.object.animations.indexOf(clip) + 1, 0, derived);
+        this.updateUI();
+    }
+
+    mirrorClip(clip) {
+        const names = new Set();
+        this.object.traverse((child) => names.add(child.name));
+
+        // Mirror across the model's YZ plane, characters face +Z with X pointing to their side
+        const mirror = (q) => q.set(q.x, -q.y, -q.z, q.w);
+        const q = new THREE.Quaternion();
+        const p = new THREE.Vector3();
+        // Additive rotations are offsets applied after the base pose: L = Lbase * D
+        const additive = clip.blendMode === THREE.AdditiveAnimationBlendMode;
+
+        const tracks = this.linearizeClip(clip).tracks.map((track) => {
+            const nodeName = this.getTrackNodeName(track);
+            const mirrorName = findMirrorBone(nodeName, names) || nodeName;
+            // linearizeClip() already returned copies
+            const mirrored = track;
+            mirrored.name = mirrorName + track.name.slice(nodeName.length);
+
+            const node = this.object.getObjectByName(nodeName);
+            const mirrorNode = this.object.getObjectByName(mirrorName);
+            if(!node || !mirrorNode) return mirrored;
+
+            // Rest rotations relative to the model, the rig may have different bone axes per side
+            const parent = this.getRestWorldQuaternion(node.parent);
+            const mirrorParentInverse = this.getRestWorldQuaternion(mirrorNode.parent).invert();
+            const restInverse = this.getRestWorldQuaternion(node).invert();
+            const mirrorRest = this.getRestWorldQuaternion(mirrorNode);
+            const values = mirrored.values;
+
+            if(track instanceof THREE.QuaternionKeyframeTrack) {
+                // L' = Wp'^-1 * M(Wp * L * W^-1) * W', offsets: D' = W'^-1 * M(W * D * W^-1) * W'
+                const before = additive ? restInverse.clone().invert() : parent;
+                const after = additive ? mirrorRest.clone().invert() : mirrorParentInverse;
+                for(let i = 0; i < values.length; i += 4) {
+                    mirror(q.fromArray(values, i).premultiply(before).multiply(restInverse));
+                    q.premultiply(after).multiply(mirrorRest).normalize();
+                    q.toArray(values, i);
+                }
+            } else if(track.name.endsWith('.position')) {
+                for(let i = 0; i < values.length; i += 3) {
+                    p.fromArray(values, i).applyQuaternion(parent);
+                    p.x = -p.x;
+                    p.applyQuaternion(mirrorParentInverse).toArray(values, i);
+                }
+            }
+
+            return mirrored;
+        });
+
+        this.addDerivedClip(clip, new THREE.AnimationClip(`${clip.name}_mirror`, clip.duration, tracks, clip.blendMode));
+    }
+
+    reverseClip(clip) {
+        const duration = clip.duration;
+
+        const tracks = clip.tracks.map((track) => {
+            const reversed = track.clone();
+            const count = track.times.length;
+            const size = track.getValueSize();
+            // glTF cubic spline keys hold [in tangent, value, out tangent]
+            const cubic = track.createInterpolant.isInterpolantFactoryMethodGLTFCubicSpline;
+            const stride = cubic ? size / 3 : size;
+
+            for(let i = 0; i < count; i++) {
+                const from = (count - 1 - i) * size;
+                if(cubic) {
+                    // Tangents swap sides and change sign when time runs backwards
+                    for(let j = 0; j < stride; j++) {
+                        reversed.values[i * size + j] = -track.values[from + 2 * stride + j];
+                        reversed.values[i * size + stride + j] = track.values[from + stride + j];
+                        reversed.values[i * size + 2 * stride + j] = -track.values[from + j];
+                    }
+                } else {
+                    for(let j = 0; j < size; j++) reversed.values[i * size + j] = track.values[from + j];
+                }
+            }
+
+            if(track.getInterpolation() === THREE.InterpolateDiscrete) {
+                // A stepped value holds until the next key, so it starts where that key ends up
+                for(let i = 0; i < count; i++) {
+                    reversed.times[i] = i === 0 ? 0 : duration - track.times[count - i];
+                }
+            } else {
+                for(let i = 0; i < count; i++) {
+                    reversed.times[i] = duration - track.times[count - 1 - i];
+                }
+            }
+
+            return reversed;
+        });
+
+        // Trim frames count from the start of the take, which is now its end
+        const settings = this.getClipSettings(clip);
+        const totalFrames = Math.round(duration * settings.frameRate);
+        this.addDerivedClip(clip, new THREE.AnimationClip(`${clip.name}_reversed`, duration, tracks, clip.blendMode), {
+            inFrame: totalFrames - settings.outFrame,
+            outFrame: totalFrames - settings.inFrame
+        });
+    }
+
+    makeClipAdditive(clip) {
+        const settings = this.getClipSettings(clip);
+        const reference = settings.additiveReference;
+        // Offsets are taken per key, cubic glTF tangents would stay absolute
+        const additive = this.linearizeClip(clip);
+        additive.name = `${clip.name}_additive`;
+
+        if(reference && this.object.animations.includes(reference)) {
+            // First frame of the edited reference clip, bones it does not animate use their own first frame
+            const referenceClip = this.processClip(reference);
+            const names = new Set(referenceClip.tracks.map(track => track.name));
+            referenceClip.tracks.push(...additive.tracks.filter(track => !names.has(track.name)));
+            THREE.AnimationUtils.makeClipAdditive(additive, 0, referenceClip, settings.frameRate);
+        } else {
+            // First frame after trimming
+            THREE.AnimationUtils.makeClipAdditive(additive, settings.inFrame, additive, settings.frameRate);
+        }
+
+        this.addDerivedClip(clip, additive);
+    }
+
+    maskClip(clip) {
+        if(!this.boneMask.size) return;
+        const tracks = clip.tracks
+            .filter(track => this.boneMask.has(this.getTrackNodeName(track)))
+            .map(track => track.clone());
+        if(!tracks.length) return;
+        this.addDerivedClip(clip, new THREE.AnimationClip(`${clip.name}_masked`, clip.duration, tracks, clip.blendMode));
+    }
+
+    getMaskBones() {
+        const bones = [];
+        if(this.object) this.object.traverse((child) => { if(child.isBone) bones.push(child) });
+        return bones;
+    }
+
+    setBoneMask(names, checked) {
+        for(let name of names) {
+            if(checked) this.boneMask.add(name);
+            else this.boneMask.delete(name);
+        }
+        this.updateBoneMaskUI();
+    }
+
+    updateBoneMaskUI() {
+        while(this.$boneMaskTree.children.length) {
+            this.$boneMaskTree.children[0].remove()
+        }
+
+        for(let bone of this.getMaskBones()) {
+            // Indent by the number of parent bones
+            let depth = 0;
+            for(let parent = bone.parent; parent && parent.isBone; parent = parent.parent) depth++;
+
+            let row = document.createElement('label')
+            row.className = 'bone-mask-row'
+            row.style.paddingLeft = `${depth * 0.75}em`
+            let checkbox = document.createElement('input')
+            checkbox.type = 'checkbox'
+            checkbox.checked = this.boneMask.has(bone.name)
+            checkbox.addEventListener('change', () => this.setBoneMask([bone.name], checkbox.checked))
+            let name = document.createElement('span')
+            name.textContent = bone.name
+            row.appendChild(checkbox)
+            row.appendChild(name)
+
+            if(bone.children.some(child => child.isBone)) {
+                let subtree = document.createElement('button')
+                subtree.className = 'bone-mask-subtree'
+                subtree.textContent = '▾'
+                subtree.title = 'Tick or untick this bone and all its children'
+                subtree.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    const names = [];
+                    bone.traverse((child) => { if(child.isBone) names.push(child.name) });
+                    this.setBoneMask(names, !names.every(name => this.boneMask.has(name)));
+                })
+                row.appendChild(subtree)
+            }
+
+            this.$boneMaskTree.appendChild(row)
+        }
+    }
+
+    getRestWorldQuaternion(node) {
+        // Rest rotation relative to the model, unaffected by the clip playing in the viewer
+        const quaternion = new THREE.Quaternion();
+        for(let child = node; child && child !== this.object; child = child.parent) {
+            quaternion.premultiply((this.restPose.get(child) || child).quaternion);
+        }
+        return quaternion;
+    }
+
+    getRestWorldMatrix(node) {
+        // World matrix of a node in the rest pose, the model itself keeps its current placement
+        const matrix = new THREE.Matrix4();
+        const local = new THREE.Matrix4();
+        for(let child = node; child && child !== this.object; child = child.parent) {
+            const rest = this.restPose.get(child) || child;
+            matrix.premultiply(local.compose(rest.position, rest.quaternion, rest.scale));
+        }
+        return matrix.premultiply(this.object.matrixWorld);
+    }
+
+    getPlayheadFrame(clip) {
+        // The preview starts at the current in point, map the playhead back to the imported clip
+        if(clip !== this.activeClip || !this.animation) return null;
+        const settings = this.getClipSettings(clip);
+        return settings.inFrame + Math.round(this.animation.time * settings.frameRate);
+    }
+
+    getPreviewClip(clip) {
+        let previewClip = this.previewClips.get(clip);
+        if(!previewClip) {
+            previewClip = this.processClip(clip, { bakeSpeed: false });
+            this.previewClips.set(clip, previewClip);
+        }
+        return previewClip;
+    }
+
+    clearPreviewClip(clip) {
+        const previewClip = this.previewClips.get(clip);
+        if(!previewClip) return;
+        if(this.animation && this.animation.getClip() === previewClip) this.animation.stop();
+        this.mixer.uncacheClip(previewClip);
+        this.previewClips.delete(clip);
+    }
+
+    refreshPreviewClips() {
+        for(let clip of [...this.previewClips.keys()]) this.clearPreviewClip(clip);
+        if(this.activeClip) this.playAnimation(this.activeClip);
+    }
+
+    processClip(clip, { bakeSpeed = true } = {}) {
+        const settings = this.getClipSettings(clip);
+        const totalFrames = Math.round(clip.duration * settings.frameRate);
+        let result = this.linearizeClip(clip);
+
+        if(settings.inFrame > 0 || settings.outFrame < totalFrames) {
+            result = this.trimClip(result, settings.inFrame / settings.frameRate, settings.outFrame / settings.frameRate);
+        }
+
+        if(settings.inPlace) {
+            result = this.makeAnimationsInPlace([result])[0];
+        }
+
+        if(settings.loopSeam) {
+            this.blendLoopSeam(result, settings.loopWindow / settings.frameRate);
+        }
+
+        if(bakeSpeed && settings.speed !== 1) {
+            this.scaleClipTime(result, 1 / settings.speed);
+        }
+
+        return result;
+    }
+
+    getResampleRate(clip) {
+        const frameRate = clip && this.getClipSettings(clip).resampleRate;
+        if(frameRate) return frameRate;
+        if(!this.$resampleCheckbox.checked) return null;
+        return Math.round(parseFloat(this.$resampleRate.value)) || null;
+    }
+
+    resampleClip(clip, frameRate) {
+        // Whole frames only, the end key may move by up to half a frame
+        const frameCount = Math.max(1, Math.round(clip.duration * frameRate));
+        const times = [];
+        for(let i = 0; i <= frameCount; i++) times.push(i / frameRate);
+
+        const tracks = clip.tracks.map(track => this.resampleTrack(track, times));
+        return new THREE.AnimationClip(clip.name, frameCount / frameRate, tracks, clip.blendMode);
+    }
+
+    resampleTrack(track, times) {
+        // Cubic glTF tracks are evaluated by their own interpolant and written back as linear keys
+        const interpolant = track.createInterpolant();
+        const values = [];
+        for(let time of times) values.push(...interpolant.evaluate(time));
+        const interpolation = track.getInterpolation() === THREE.InterpolateDiscrete ? THREE.InterpolateDiscrete : undefined;
+        return new track.constructor(track.name, times, values, interpolation);
+    }
+
+    linearizeClip(clip) {
+        // Edits read one value per key, cubic glTF keys interleave tangents with the value
+        const frameRate = Math.max(this.getClipSettings(clip).frameRate, 30);
+        const result = clip.clone();
+        result.tracks = result.tracks.map((track) => {
+            if(!track.createInterpolant.isInterpolantFactoryMethodGLTFCubicSpline) return track;
+            const start = track.times[0];
+            const end = track.times[track.times.length - 1];
+            const count = Math.max(1, Math.round((end - start) * frameRate));
+            const times = [];
+            for(let i = 0; i <= count; i++) times.push(start + (end - start) * i / count);
+            return this.resampleTrack(track, times);
+        });
+        return result;
+    }
+
+    countKeyframes(animations) {
+        // Sampler data only, one float per time and per value component
+        const count = { keys: 0, bytes: 0 };
+        for(let clip of animations) {
+            for(let track of clip.tracks) {
+                count.keys += track.times.length;
+                count.bytes += (track.times.length + track.values.length) * 4;
+            }
+        }
+        return count;
+    }
+
+    reduceKeyframes(clip, { angle, distance }) {
+        const q = new THREE.Quaternion();
+        const qa = new THREE.Quaternion();
+        const qb = new THREE.Quaternion();
+
+        for(let track of clip.tracks) {
+            const { times, values } = track;
+            const count = times.length;
+            const size = track.getValueSize();
+
+            // Only linear tracks can be checked against the interpolation between kept keys
+            if(count < 3 || track.getInterpolation() !== THREE.InterpolateLinear || track.createInterpolant.isInterpolantFactoryMethodGLTFCubicSpline) continue;
+
+            const isQuaternion = track instanceof THREE.QuaternionKeyframeTrack;
+            const tolerance = isQuaternion ? THREE.MathUtils.degToRad(angle) : distance;
+
+            // Distance between key j and the interpolation from key a to key b at its time
+            const error = (a, b, j) => {
+                const t = (times[j] - times[a]) / (times[b] - times[a]);
+                if(isQuaternion) {
+                    qa.fromArray(values, a * 4).slerp(qb.fromArray(values, b * 4), t);
+                    return qa.angleTo(q.fromArray(values, j * 4));
+                }
+                let sum = 0;
+                for(let k = 0; k < size; k++) {
+                    const diff = THREE.MathUtils.lerp(values[a * size + k], values[b * size + k], t) - values[j * size + k];
+                    sum += diff * diff;
+                }
+                return Math.sqrt(sum);
+            };
+
+            // Extend each segment from the last kept key while every skipped key stays within tolerance
+            const keep = [0];
+            let last = 0;
+            for(let i = 2; i < count; i++) {
+                for(let j = last + 1; j < i; j++) {
+                    if(error(last, i, j) > tolerance) {
+                        last = i - 1;
+                        keep.push(last);
+                        break;
+                    }
+                }
+            }
+            keep.push(count - 1);
+
+            const newTimes = new track.TimeBufferType(keep.length);
+            const newValues = new track.ValueBufferType(keep.length * size);
+            keep.forEach((index, i) => {
+                newTimes[i] = times[index];
+                for(let k = 0; k < size; k++) newValues[i * size + k] = values[index * size + k];
+            });
+            track.times = newTimes;
+            track.values = newValues;
+        }
+    }
+
+    blendLoopSeam(clip, window) {
+        const duration = clip.duration;
+        const start = Math.max(0, duration - window);
+        const q = new THREE.Quaternion();
+        const first = new THREE.Quaternion();
+
+        for(let i = 0; i < clip.tracks.length; i++) {
+            let track = clip.tracks[i];
+            const type = track.ValueTypeName;
+            if(type !== 'quaternion' && type !== 'vector' && type !== 'number') continue;
+
+            const valueSize = track.getValueSize();
+
+            // Make sure the track has a key on the loop point
+            if(track.times[track.times.length - 1] < duration - 1e-5) {
+                const times = Array.from(track.times).concat(duration);
+                const values = Array.from(track.values).concat(Array.from(track.values.slice(0, valueSize)));
+                track = clip.tracks[i] = new track.constructor(track.name, times, values, track.getInterpolation());
+            }
+
+            const { times, values } = track;
+            first.fromArray(values, 0);
+
+            for(let k = 0; k < times.length; k++) {
+                if(times[k] <= start) continue;
+                // Smoothstep weight, reaches the first pose exactly on the last frame
+                const w = THREE.MathUtils.smoothstep(times[k], start, duration);
+                const offset = k * valueSize;
+
+                if(type === 'quaternion') {
+                    q.fromArray(values, offset).slerp(first, w).toArray(values, offset);
+                } else {
+                    for(let j = 0; j < valueSize; j++) {
+                        values[offset + j] = THREE.MathUtils.lerp(values[offset + j], values[j], w);
+                    }
+                }
+            }
+        }
+
+        return clip;
+    }
+
+    scaleClipTime(clip, factor) {
+        for(let track of clip.tracks) track.scale(factor);
+        clip.resetDuration();
+        return clip;
+    }
+
+    trimClip(clip, start, end) {
+        const epsilon = 1e-5;
+        const tracks = clip.tracks.map((track) => {
+            // Sample the boundaries so sparse tracks keep their pose inside the range
+            const interpolant = track.createInterpolant();
+            const valueSize = track.getValueSize();
+            const times = [0];
+            const values = Array.from(interpolant.evaluate(start));
+
+            for(let i = 0; i < track.times.length; i++) {
+                const time = track.times[i];
+                if(time > start + epsilon && time < end - epsilon) {
+                    times.push(time - start);
+                    for(let j = 0; j < valueSize; j++) values.push(track.values[i * valueSize + j]);
+                }
+            }
+
+            times.push(end - start);
+            values.push(...interpolant.evaluate(end));
+
+            return new track.constructor(track.name, times, values, track.getInterpolation());
+        });
+
+        return new THREE.AnimationClip(clip.name, end - start, tracks, clip.blendMode);
+    }
+
+    getClipFrameRate(clip) {
+        // Smallest key spacing across all tracks is the native frame duration
+        let step = Infinity;
+        for(let track of clip.tracks) {
+            for(let i = 1; i < track.times.length; i++) {
+                const delta = track.times[i] - track.times[i - 1];
+                if(delta > 1e-4 && delta < step) step = delta;
+            }
+        }
+        return isFinite(step) ? Math.round(1 / step) : 30;
+    }
+
+    applyLoopMode() {
+        if(!this.animation) return;
+        this.animation.setLoop(this.playback.loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+        this.animation.clampWhenFinished = !this.playback.loop;
+    }
+
+    onTimelinePlay() {
+        this.playback.playing = !this.playback.playing;
+        // Restart a clip that already finished in non-loop mode
+        if(this.playback.playing && this.animation && this.animation.paused) {
+            this.animation.reset();
+        }
+        this.$timelinePlay.innerHTML = this.playback.playing ? '&#10074;&#10074;' : '&#9654;';
+    }
+
+    onTimelineLoopChange(e) {
+        this.playback.loop = e.currentTarget.checked;
+        this.applyLoopMode();
+    }
+
+    onTimelineSpeedChange(e) {
+        this.playback.speed = parseFloat(e.currentTarget.value);
+        if(this.mixer) this.mixer.timeScale = this.playback.speed;
+    }
+
+    setAnimationTime(time) {
+        if(!this.animation) return;
+        const duration = this.animation.getClip().duration;
+        this.animation.time = THREE.MathUtils.clamp(time, 0, duration);
+        // Evaluate the pose without advancing time
+        this.mixer.update(0);
+    }
+
+    stepFrame(direction) {
+        if(!this.animation) return;
+        if(this.playback.playing) this.onTimelinePlay();
+
+        const frameRate = this.playback.frameRate;
+        const frame = Math.round(this.animation.time * frameRate) + direction;
+        this.setAnimationTime(frame / frameRate);
+    }
+
+    updateTimeline() {
+        if(!this.animation) {
+            this.$timelineTime.textContent = 'No animation';
+            return;
+        }
+
+        const time = this.animation.time;
+        const duration = this.animation.getClip().duration;
+        const frameRate = this.playback.frameRate;
+
+        if(!this.isScrubbing) this.$timelineScrubber.value = time;
+        this.$timelineTime.textContent = `${Math.round(time * frameRate)} / ${Math.round(duration * frameRate)}  ${time.toFixed(2)}s / ${duration.toFixed(2)}s @ ${frameRate}fps`;
     }
 
     onTransformModeClick(e) {
@@ -724,38 +2202,45 @@ class App {
         }
     }
 
-    makeAnimationsInPlace(animations) {
+    makeAnimationsInPlace(animations, options = this.getRootMotionOptions()) {
         if(!animations || animations.length === 0) return animations;
         
         const processedAnimations = [];
         
         for(let clip of animations) {
             const newClip = clip.clone();
-            
-            // Find position tracks (usually named like "mixamorig:Hips.position" or similar)
-            for(let track of newClip.tracks) {
-                const trackName = track.name.toLowerCase();
-                
-                // Check if this is a root position track (X and Z movement)
-                if(trackName.includes('position') && 
-                   (trackName.includes('hips') || trackName.includes('root') || trackName.includes('pelvis'))) {
-                    
-                    const values = track.values;
-                    const itemSize = track.getValueSize();
-                    
-                    if(itemSize === 3) { // Position track (x, y, z)
-                        // Calculate initial position
-                        const startX = values[0];
-                        const startZ = values[2];
-                        
-                        // Remove X and Z movement, keep Y (vertical movement)
-                        for(let i = 0; i < values.length; i += 3) {
-                            values[i] = startX;     // X stays at start position
-                            // values[i + 1] unchanged (keep Y movement for jumping, etc.)
-                            values[i + 2] = startZ; // Z stays at start position
-                        }
-                    }
+
+            // Root bone comes from the skeleton hierarchy, not from its name
+            const root = this.findRootMotionBone(newClip);
+            if(!root) {
+                processedAnimations.push(newClip);
+                continue;
+            }
+
+            // Work in a frame aligned with the model so X/Z are horizontal and Y is up
+            const frame = this.getRootMotionFrame(root);
+            const inverse = frame.clone().invert();
+
+            const positionTrack = newClip.tracks.find(track => track.name === root.name + '.position');
+            if(positionTrack) {
+                const values = positionTrack.values;
+                const points = [];
+                for(let i = 0; i < values.length; i += 3) {
+                    points.push(new THREE.Vector3().fromArray(values, i).applyQuaternion(frame));
                 }
+
+                for(let axis of ['x', 'y', 'z']) {
+                    if(!options.axes[axis]) continue;
+                    const channel = this.flattenChannel(points.map(point => point[axis]), positionTrack.times, options.mode);
+                    points.forEach((point, i) => { point[axis] = channel[i] });
+                }
+
+                points.forEach((point, i) => point.applyQuaternion(inverse).toArray(values, i * 3));
+            }
+
+            const rotationTrack = newClip.tracks.find(track => track.name === root.name + '.quaternion');
+            if(options.yaw && rotationTrack) {
+                this.removeRootYaw(rotationTrack, new THREE.Vector3(0, 1, 0).applyQuaternion(inverse), options.mode);
             }
             
             processedAnimations.push(newClip);
@@ -764,6 +2249,193 @@ class App {
         return processedAnimations;
     }
 
+    getRootMotionOptions() {
+        return {
+            axes: {
+                x: this.$rootMotionX.checked,
+                y: this.$rootMotionY.checked,
+                z: this.$rootMotionZ.checked
+            },
+            yaw: this.$rootMotionYaw.checked,
+            mode: this.$rootMotionMode.value // 'first', 'average' or 'drift'
+        };
+    }
+
+    findRootMotionBone(clip) {
+        const tracks = new Map(clip.tracks.map(track => [track.name, track]));
+
+        // Breadth-first from the top-most bones, the first translated bone carries the root motion
+        const queue = [];
+        this.object.traverse((child) => {
+            if(child.isBone && !(child.parent && child.parent.isBone)) queue.push(child);
+        });
+
+        let fallback = null;
+        while(queue.length) {
+            const bone = queue.shift();
+            const track = tracks.get(bone.name + '.position');
+            if(track) {
+                if(this.isTrackAnimated(track)) return bone;
+                fallback = fallback || bone;
+            }
+            queue.push(...bone.children.filter(child => child.isBone));
+        }
+        if(fallback) return fallback;
+
+        // No skeleton, fall back to the usual root names
+        for(let track of clip.tracks) {
+            const trackName = track.name.toLowerCase();
+            if(trackName.endsWith('.position') && 
+               (trackName.includes('hips') || trackName.includes('root') || trackName.includes('pelvis'))) {
+                const node = this.object.getObjectByName(this.getTrackNodeName(track));
+                if(node) return node;
+            }
+        }
+
+        return null;
+    }
+
+    isTrackAnimated(track) {
+        const values = track.values;
+        const valueSize = track.getValueSize();
+        for(let i = valueSize; i < values.length; i++) {
+            if(Math.abs(values[i] - values[i % valueSize]) > 1e-6) return true;
+        }
+        return false;
+    }
+
+    getRootMotionFrame(node) {
+        // Rotation of the root's parent relative to the model, ignoring the user transform
+        this.object.updateMatrixWorld(true);
+        const objectInverse = this.object.getWorldQuaternion(new THREE.Quaternion()).invert();
+        const parent = node.parent || this.object;
+        return parent.getWorldQuaternion(new THREE.Quaternion()).premultiply(objectInverse);
+    }
+
+    flattenChannel(channel, times, mode) {
+        const first = channel[0];
+
+        if(mode === 'average') {
+            const average = channel.reduce((sum, value) => sum + value, 0) / channel.length;
+            return channel.map(() => average);
+        }
+
+        if(mode === 'drift') {
+            // Subtract the straight line from first to last key, keeps bobbing and sway
+            const last = channel[channel.length - 1];
+            const span = (times[times.length - 1] - times[0]) || 1;
+            return channel.map((value, i) => value - (last - first) * (times[i] - times[0]) / span);
+        }
+
+        return channel.map(() => first);
+    }
+
+    getYawAngle(q, up, previous) {
+        // Yaw angle around the up axis (twist part of a swing-twist decomposition)
+        let angle = 2 * Math.atan2(q.x * up.x + q.y * up.y + q.z * up.z, q.w);
+        // Unwrap against the previous key so continuous turns do not jump by 2PI
+        if(previous !== undefined) {
+            while(angle - previous > Math.PI) angle -= Math.PI * 2;
+            while(angle - previous < -Math.PI) angle += Math.PI * 2;
+        }
+        return angle;
+    }
+
+    extractRootMotion(animations, yaw) {
+        return animations.map((clip) => {
+            const root = this.findRootMotionBone(clip);
+            const positionTrack = root && clip.tracks.find(track => track.name === root.name + '.position');
+            // Additive clips only hold offsets, there is no motion to extract
+            if(!positionTrack || clip.blendMode === THREE.AdditiveAnimationBlendMode) return clip.clone();
+
+            // The root motion node is a child of the model, express the hips in model space
+            this.object.updateMatrixWorld(true);
+            const toModel = this.object.matrixWorld.clone().invert().multiply(root.parent.matrixWorld);
+            const up = new THREE.Vector3(0, 1, 0);
+            const localUp = up.clone().applyQuaternion(this.getRootMotionFrame(root).invert());
+
+            const rotationTrack = clip.tracks.find(track => track.name === root.name + '.quaternion');
+            const rotation = yaw && rotationTrack ? rotationTrack.createInterpolant() : null;
+
+            const times = positionTrack.times;
+            const positions = [];
+            const quaternions = [];
+            const start = new THREE.Vector3();
+            const point = new THREE.Vector3();
+            const q = new THREE.Quaternion();
+            const turn = new THREE.Quaternion();
+            let firstAngle = 0;
+            let angle;
+
+            for(let k = 0; k < times.length; k++) {
+                point.fromArray(positionTrack.values, k * 3).applyMatrix4(toModel);
+                point.y = 0;
+
+                if(rotation) angle = this.getYawAngle(q.fromArray(rotation.evaluate(times[k])), localUp, angle);
+                if(k === 0) {
+                    start.copy(point);
+                    firstAngle = angle || 0;
+                }
+
+                // The hips keep their first-frame offset, rotated along with the root node
+                turn.setFromAxisAngle(up, (angle || 0) - firstAngle);
+                point.sub(start.clone().applyQuaternion(turn));
+
+                positions.push(point.x, point.y, point.z);
+                quaternions.push(turn.x, turn.y, turn.z, turn.w);
+            }
+
+            // Leave the hips in place, horizontally and in yaw
+            const newClip = this.makeAnimationsInPlace([clip], {
+                axes: { x: true, y: false, z: true },
+                yaw: !!rotation,
+                mode: 'first'
+            })[0];
+
+            newClip.tracks.push(new THREE.VectorKeyframeTrack(`${ROOT_MOTION_NODE_NAME}.position`, times, positions));
+            if(rotation) {
+                newClip.tracks.push(new THREE.QuaternionKeyframeTrack(`${ROOT_MOTION_NODE_NAME}.quaternion`, times, quaternions));
+            }
+
+            return newClip;
+        });
+    }
+
+    attachRootMotionNode() {
+        // Insert a top-level node between the model and its children for the root motion tracks
+        const node = new THREE.Group();
+        node.name = ROOT_MOTION_NODE_NAME;
+        const children = [...this.object.children];
+        for(let child of children) node.add(child);
+        this.object.add(node);
+        return { node, children };
+    }
+
+    detachRootMotionNode({ node, children }) {
+        for(let child of children) this.object.add(child);
+        this.object.remove(node);
+    }
+
+    removeRootYaw(track, up, mode) {
+        const values = track.values;
+        const q = new THREE.Quaternion();
+        const twist = new THREE.Quaternion();
+
+        const angles = [];
+        for(let i = 0; i < values.length; i += 4) {
+            angles.push(this.getYawAngle(q.fromArray(values, i), up, angles[angles.length - 1]));
+        }
+
+        const flattened = this.flattenChannel(angles, track.times, mode);
+
+        for(let i = 0, k = 0; i < values.length; i += 4, k++) {
+            q.fromArray(values, i);
+            // q = twist * swing, replace the twist with the flattened yaw
+            const swing = twist.setFromAxisAngle(up, angles[k]).invert().multiply(q);
+            q.setFromAxisAngle(up, flattened[k]).multiply(swing).normalize().toArray(values, i);
+        }
+    }
+
     exportGLB() {
         console.log('export requested');
 
@@ -795,40 +2467,127 @@ class App {
         // Remove any file extension if user added it
         filename = filename.replace(/\.(glb|gltf)$/i, '');
 
-        // Apply In Place if checkbox is checked
-        let animationsToExport = target.animations || [];
-        if(this.$inPlaceCheckbox && this.$inPlaceCheckbox.checked) {
-            console.log('Applying In Place to animations...');
-            animationsToExport = this.makeAnimationsInPlace(animationsToExport);
+        // Apply per-clip edits (trim, in place, loop seam, speed) to copies of the clips
+        let animationsToExport = (target.animations || []).map(clip => this.processClip(clip));
+
+        // Extract the remaining root motion onto a root node
+        let rootMotion = null;
+        if(this.$extractRootMotionCheckbox && this.$extractRootMotionCheckbox.checked && this.object) {
+            console.log('Extracting root motion to', ROOT_MOTION_NODE_NAME);
+            animationsToExport = this.extractRootMotion(animationsToExport, this.$extractRootMotionYaw.checked);
+            rootMotion = this.attachRootMotionNode();
         }
 
-        gltfExporter.parse(
-            target,
-            function ( result ) {
+        // Uniform key cadence, after the speed is baked so the rate holds in the exported timing
+        animationsToExport = animationsToExport.map((clip, index) => {
+            const frameRate = this.getResampleRate(target.animations[index]);
+            return frameRate ? this.resampleClip(clip, frameRate) : clip;
+        });
 
-                if ( result instanceof ArrayBuffer ) {
+        // Drop keys the interpolation already reproduces within tolerance
+        this.$exportReport.textContent = '';
+        const reduce = this.$reduceKeyframesCheckbox.checked;
+        const cubic = this.$cubicSplineCheckbox.checked;
+        if(reduce || cubic) {
+            const tolerance = reduce ? {
+                angle: Math.max(0, parseFloat(this.$reduceAngle.value) || 0),
+                distance: Math.max(0, parseFloat(this.$reduceDistance.value) || 0)
+            } : { angle: 0, distance: 0 };
+            const before = this.countKeyframes(animationsToExport);
+
+            for(let clip of animationsToExport) {
+                // Splines are fitted to the dense keys first, reduction skips the tracks they replaced
+                if(cubic) clip.tracks = clip.tracks.map(track => toCubicSplineTrack(track, tolerance));
+                if(reduce) this.reduceKeyframes(clip, tolerance);
+            }
 
-                    saveArrayBuffer( result, filename + '.glb' );
+            const after = this.countKeyframes(animationsToExport);
+            const saved = (before.bytes - after.bytes) / 1024;
+            this.$exportReport.textContent = `Keyframes ${before.keys} → ${after.keys}, ${Math.abs(saved).toFixed(1)} KB ${saved < 0 ? 'added' : 'saved'}`;
+            console.log(this.$exportReport.textContent);
+        }
 
-                } else {
+        // Hidden nodes are skipped by the exporter along with their skins, materials and images
+        const separate = this.$exportSeparateCheckbox.checked;
+        const hiddenNodes = this.$exportAnimationOnlyCheckbox.checked ? this.hideNonSkeleton(target, animationsToExport) : [];
+        if(hiddenNodes.length) {
+            // Morph target tracks would point at nodes that are no longer written
+            for(let clip of animationsToExport) {
+                clip.tracks = clip.tracks.filter(track => !hiddenNodes.includes(target.getObjectByName(this.getTrackNodeName(track))));
+            }
+        }
 
-                    const output = JSON.stringify( result, null, 2 );
-                    console.log( output );
-                    saveString( output, filename + '.gltf' );
+        if(separate) {
+            // One file per clip, named <filename>_<clipName>.glb inside a single ZIP
+            const files = {};
+            const exports = animationsToExport.map((clip) => {
+                const base = `${filename}_${clip.name.replace(/[\\/:*?"<>|]/g, '_')}`;
+                let name = base;
+                for(let i = 2; files[name + '.glb']; i++) name = `${base}_${i}`;
+                files[name + '.glb'] = true;
+
+                return gltfExporter.parseAsync(target, { binary: true, animations: [clip] })
+                    .then(result => { files[name + '.glb'] = new Uint8Array(result) });
+            });
+
+            Promise.all(exports)
+                .then(() => saveArrayBuffer(zipSync(files), filename + '.zip'))
+                .catch(error => console.log('An error happened during parsing', error));
+        } else {
+            gltfExporter.parse(
+                target,
+                function ( result ) {
+
+                    if ( result instanceof ArrayBuffer ) {
 
+                        saveArrayBuffer( result, filename + '.glb' );
+
+                    } else {
+
+                        const output = JSON.stringify( result, null, 2 );
+                        console.log( output );
+                        saveString( output, filename + '.gltf' );
+
+                    }
+
+                },
+                function ( error ) {
+
+                    console.log( 'An error happened during parsing', error );
+
+                },
+                {
+                    binary: true,
+                    animations: animationsToExport
                 }
+            );
+        }
 
-            },
-            function ( error ) {
+        // The scene graph is read synchronously by parse(), restore it right away
+        if(rootMotion) this.detachRootMotionNode(rootMotion);
+        hiddenNodes.forEach(node => { node.visible = true });
+    }
 
-                console.log( 'An error happened during parsing', error );
+    hideNonSkeleton(root, animations) {
+        const targets = new Set();
+        for(let clip of animations) {
+            for(let track of clip.tracks) targets.add(this.getTrackNodeName(track));
+        }
 
-            },
-            {
-                binary: true,
-                animations: animationsToExport
-            }
-        );
+        // Keep bones and animated nodes (e.g. the root motion node) with their parents
+        const keep = new Set();
+        root.traverse((child) => {
+            if(child.isMesh || !(child.isBone || targets.has(child.name))) return;
+            for(let node = child; node && node !== root; node = node.parent) keep.add(node);
+        });
+
+        // Meshes, lights, cameras and helpers
+        const hidden = [];
+        root.traverse((child) => {
+            if(child !== root && child.visible && !keep.has(child)) hidden.push(child);
+        });
+        hidden.forEach(node => { node.visible = false });
+        return hidden;
     }
     
     openSettings() {